@@ -0,0 +1,135 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+process.env.STRAPI_API_TOKEN = 'test-token'
+process.env.STRAPI_VERSION_LIMIT = '0'
+const StrapiMCPServer = require('../index.js')
+
+const POST = 'api::post.post'
+const BASE = `http://localhost:1337/content-manager/collection-types/${POST}`
+
+/**
+ * In-memory content manager for one collection type. Records every write; updates whose
+ * title is "FAIL" are rejected like a Strapi validation error
+ */
+function fakeStrapi (documents) {
+  const writes = []
+  const tags = { 1: { id: 1, name: 'news' }, 2: { id: 2, name: 'guides' }, 3: { id: 3, name: 'events' } }
+  const documentId = url => url.slice(BASE.length + 1)
+  const findOne = document => ({ ...document, tags: { count: document.tags.length } })
+
+  return {
+    writes,
+    documents,
+    async get (url, config = {}) {
+      if (url === BASE) {
+        const id = config.params.filters.documentId.$eq
+        const document = documents[id]
+        const results = document ? [{ ...document, tags: document.tags.map(tag => tags[tag]) }] : []
+        return { data: { results, pagination: { total: results.length } } }
+      }
+      const document = documents[documentId(url)]
+      if (!document) throw Object.assign(new Error('Not found'), { response: { status: 404, data: {} } })
+      return { data: { data: findOne(document), meta: { availableStatus: [] } } }
+    },
+    async put (url, data) {
+      const id = documentId(url)
+      writes.push({ documentId: id, data })
+      if (data.title === 'FAIL') {
+        throw Object.assign(new Error('Request failed with status code 400'), {
+          response: { status: 400, data: { error: { status: 400, name: 'ValidationError', message: 'Invalid title' } } }
+        })
+      }
+      documents[id] = { ...documents[id], ...data }
+      return { data: { data: findOne(documents[id]) } }
+    },
+    async post () {
+      throw new Error('Unexpected POST')
+    },
+    async delete () {
+      throw new Error('Unexpected DELETE')
+    }
+  }
+}
+
+let server
+
+beforeEach(() => {
+  process.env.STRAPI_MCP_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-mcp-bulk-'))
+  server = new StrapiMCPServer()
+  server.registerContentTypes([{
+    uid: POST,
+    schema: {
+      kind: 'collectionType',
+      singularName: 'post',
+      pluralName: 'posts',
+      displayName: 'Post',
+      attributes: {
+        title: { type: 'string' },
+        tags: { type: 'relation', relation: 'manyToMany', target: 'api::tag.tag' }
+      }
+    }
+  }], [])
+})
+
+afterEach(() => {
+  fs.rmSync(server.dataDir, { recursive: true, force: true })
+})
+
+test('atomic bulk failure rolls back earlier items in reverse order', async () => {
+  const strapi = fakeStrapi({
+    a: { documentId: 'a', title: 'First', tags: [] },
+    b: { documentId: 'b', title: 'Second', tags: [] },
+    c: { documentId: 'c', title: 'Third', tags: [] }
+  })
+  server.http = strapi
+
+  const result = await server.runBulk({}, {
+    atomic: true,
+    concurrency: 1,
+    operations: [
+      { action: 'update', content_type: 'post', document_id: 'a', data: { title: 'First (edited)' } },
+      { action: 'update', content_type: 'post', document_id: 'b', data: { title: 'Second (edited)' } },
+      { action: 'update', content_type: 'post', document_id: 'c', data: { title: 'FAIL' } }
+    ]
+  })
+
+  const { summary, results } = JSON.parse(result.content[0].text)
+  assert.strictEqual(result.isError, true)
+  assert.deepStrictEqual(summary, { total: 3, succeeded: 0, failed: 1, skipped: 0, rolled_back: 2, rollback_failed: 0 })
+  assert.deepStrictEqual(results.map(item => item.status), ['rolled_back', 'rolled_back', 'error'])
+  assert.deepStrictEqual(strapi.writes, [
+    { documentId: 'a', data: { title: 'First (edited)' } },
+    { documentId: 'b', data: { title: 'Second (edited)' } },
+    { documentId: 'c', data: { title: 'FAIL' } },
+    { documentId: 'b', data: { title: 'Second' } },
+    { documentId: 'a', data: { title: 'First' } }
+  ])
+  assert.strictEqual(strapi.documents.a.title, 'First')
+  assert.strictEqual(strapi.documents.b.title, 'Second')
+})
+
+test('atomic bulk rollback restores relations as IDs', async () => {
+  const strapi = fakeStrapi({
+    a: { documentId: 'a', title: 'Tagged', tags: [1, 2] },
+    b: { documentId: 'b', title: 'Other', tags: [] }
+  })
+  server.http = strapi
+
+  const result = await server.runBulk({}, {
+    atomic: true,
+    concurrency: 1,
+    operations: [
+      { action: 'update', content_type: 'post', document_id: 'a', data: { tags: [3] } },
+      { action: 'update', content_type: 'post', document_id: 'b', data: { title: 'FAIL' } }
+    ]
+  })
+
+  const { results } = JSON.parse(result.content[0].text)
+  assert.deepStrictEqual(results.map(item => item.status), ['rolled_back', 'error'])
+  assert.deepStrictEqual(strapi.writes[strapi.writes.length - 1], { documentId: 'a', data: { tags: [1, 2] } })
+  assert.deepStrictEqual(strapi.documents.a.tags, [1, 2])
+})
@@ -0,0 +1,63 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+
+process.env.STRAPI_API_TOKEN = 'test-token'
+const StrapiMCPServer = require('../index.js')
+
+// Local site standing in for both an internal service and, through the stubbed lookup below, a public one
+const requests = []
+let site
+let port
+
+before(async () => {
+  site = http.createServer((req, res) => {
+    requests.push(req.url)
+    if (req.url === '/redirect') {
+      res.writeHead(302, { Location: `http://127.0.0.1:${port}/internal` })
+    } else {
+      res.writeHead(req.url === '/missing' ? 404 : 200)
+    }
+    res.end()
+  })
+  await new Promise(resolve => site.listen(0, '127.0.0.1', resolve))
+  port = site.address().port
+})
+
+after(() => site.close())
+
+let server
+
+beforeEach(() => {
+  process.env.STRAPI_MCP_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-mcp-links-'))
+  server = new StrapiMCPServer()
+  requests.length = 0
+  // public.test resolves to the local site as if it were a public address
+  const lookup = server.lookupPublicAddress.bind(server)
+  server.lookupPublicAddress = async hostname => hostname === 'public.test' ? [{ address: '127.0.0.1', family: 4 }] : lookup(hostname)
+})
+
+afterEach(() => {
+  fs.rmSync(server.dataDir, { recursive: true, force: true })
+})
+
+test('links to local addresses are not requested or reported', async () => {
+  assert.strictEqual(await server.checkLink(`http://127.0.0.1:${port}/missing`), null)
+  assert.strictEqual(await server.checkLink(`http://localhost:${port}/missing`), null)
+  assert.strictEqual(await server.checkLink('http://169.254.169.254/latest/meta-data/'), null)
+  assert.deepStrictEqual(requests, [])
+})
+
+test('redirects to local addresses are not followed', async () => {
+  assert.strictEqual(await server.checkLink(`http://public.test:${port}/redirect`), null)
+  assert.deepStrictEqual(requests, ['/redirect'])
+})
+
+test('public links are checked', async () => {
+  assert.strictEqual(await server.checkLink(`http://public.test:${port}/ok`), null)
+  assert.strictEqual(await server.checkLink(`http://public.test:${port}/missing`), 'returned HTTP 404')
+  assert.deepStrictEqual(requests, ['/ok', '/missing'])
+})
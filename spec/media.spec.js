@@ -0,0 +1,78 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+process.env.STRAPI_API_TOKEN = 'test-token'
+process.env.STRAPI_VERSION_LIMIT = '0'
+const StrapiMCPServer = require('../index.js')
+
+const COVER = 'data:image/png;base64,iVBORw0KGgo='
+
+/**
+ * Strapi stub with no existing documents. Uploads get ID 77; creating a document fails
+ * when rejectCreate is set
+ */
+function fakeStrapi ({ rejectCreate = false } = {}) {
+  const requests = []
+  return {
+    requests,
+    async get (url) {
+      requests.push(`GET ${url}`)
+      return { data: { results: [], pagination: { page: 1, pageCount: 1, total: 0 } } }
+    },
+    async post (url, data) {
+      requests.push(`POST ${url}`)
+      if (url.endsWith('/upload')) return { data: [{ id: 77, name: 'upload.png', mime: 'image/png', size: 8 }] }
+      if (rejectCreate) {
+        throw Object.assign(new Error('Request failed with status code 400'), {
+          response: { status: 400, data: { error: { status: 400, name: 'ValidationError', message: 'Invalid content' } } }
+        })
+      }
+      return { data: { data: { documentId: 'new', ...data } } }
+    },
+    async delete (url) {
+      requests.push(`DELETE ${url}`)
+      return { data: {} }
+    }
+  }
+}
+
+let server
+
+beforeEach(() => {
+  process.env.STRAPI_MCP_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-mcp-media-'))
+  server = new StrapiMCPServer()
+})
+
+afterEach(() => {
+  fs.rmSync(server.dataDir, { recursive: true, force: true })
+})
+
+const post = extra => ({ title: 'Hello', content: 'Some text', description: 'An excerpt', author_id: 1, cover_image: COVER, ...extra })
+
+test('the cover image is not uploaded when validation fails', async () => {
+  server.http = fakeStrapi()
+  await assert.rejects(server.createBlogPost({}, post({ publishedAt: 'tomorrow' })), /Invalid date/)
+  await assert.rejects(server.createBlogPost({}, post({ author_id: undefined, author_name: 'Nobody' })), /Nobody/)
+  assert.ok(!server.http.requests.some(request => request.endsWith('/upload')))
+})
+
+test('the cover image is deleted again when the post is not created', async () => {
+  server.http = fakeStrapi({ rejectCreate: true })
+  await assert.rejects(server.createBlogPost({}, post()), /status code 400/)
+  const requests = server.http.requests.filter(request => !request.startsWith('GET'))
+  assert.deepStrictEqual(requests, [
+    'POST http://localhost:1337/upload',
+    'POST http://localhost:1337/content-manager/collection-types/api::blog-post.blog-post',
+    'DELETE http://localhost:1337/upload/files/77'
+  ])
+})
+
+test('the cover image is kept when the post is created', async () => {
+  server.http = fakeStrapi()
+  const result = JSON.parse((await server.createBlogPost({}, post())).content[0].text)
+  assert.strictEqual(result.data.cover_image, 77)
+  assert.ok(!server.http.requests.some(request => request.startsWith('DELETE')))
+})
@@ -0,0 +1,68 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+process.env.STRAPI_API_TOKEN = 'test-token'
+const StrapiMCPServer = require('../index.js')
+
+let server
+let root
+let outside
+
+beforeEach(() => {
+  process.env.STRAPI_MCP_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-mcp-paths-'))
+  server = new StrapiMCPServer()
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-mcp-root-'))
+  outside = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-mcp-outside-'))
+  server.markdownRoot = root
+})
+
+afterEach(() => {
+  for (const directory of [server.dataDir, root, outside]) {
+    fs.rmSync(directory, { recursive: true, force: true })
+  }
+})
+
+test('markdown paths inside the root resolve, including files not created yet', async () => {
+  const real = fs.realpathSync(root)
+  assert.strictEqual(await server.resolveMarkdownPath(path.join(root, 'post.md')), path.join(real, 'post.md'))
+  assert.strictEqual(await server.resolveMarkdownPath(path.join(root, 'new', 'dir', 'post.md')), path.join(real, 'new', 'dir', 'post.md'))
+})
+
+test('markdown paths outside the root are refused, also through symlinks', async () => {
+  await assert.rejects(server.resolveMarkdownPath(path.join(root, '..', 'post.md')), /is outside STRAPI_MARKDOWN_ROOT/)
+
+  fs.writeFileSync(path.join(outside, 'secret.md'), 'secret')
+  fs.symlinkSync(path.join(outside, 'secret.md'), path.join(root, 'linked.md'))
+  fs.symlinkSync(outside, path.join(root, 'linked-dir'))
+  await assert.rejects(server.resolveMarkdownPath(path.join(root, 'linked.md')), /is outside STRAPI_MARKDOWN_ROOT/)
+  await assert.rejects(server.resolveMarkdownPath(path.join(root, 'linked-dir', 'new.md')), /is outside STRAPI_MARKDOWN_ROOT/)
+})
+
+test('file paths need a root in HTTP mode', async () => {
+  server.transportMode = 'http'
+  server.markdownRoot = undefined
+  await assert.rejects(server.resolveMarkdownPath(path.join(root, 'post.md')), /disabled in HTTP mode unless STRAPI_MARKDOWN_ROOT is set/)
+})
+
+test('exporting markdown to a file is a write', () => {
+  assert.deepStrictEqual(server.toolAccess('strapi_export_markdown', { content_type: 'blog-post', document_id: 'a' }).map(operation => operation.action), ['read'])
+  assert.deepStrictEqual(server.toolAccess('strapi_export_markdown', { content_type: 'blog-post', document_id: 'a', directory: 'posts' }).map(operation => operation.action), ['read', 'export'])
+  assert.match(server.checkPolicyRules({ mode: 'read-only' }, { action: 'export', uid: 'api::blog-post.blog-post' }), /read-only mode blocks export/)
+})
+
+test('writing feed files is a write and needs STRAPI_FEED_ROOT in HTTP mode', async () => {
+  assert.deepStrictEqual(server.toolAccess('strapi_generate_feed', { format: 'rss' }).map(operation => operation.action), ['read'])
+  assert.deepStrictEqual(server.toolAccess('strapi_generate_feed', { format: 'rss', directory: 'public' }).map(operation => operation.action), ['read', 'export'])
+
+  server.transportMode = 'http'
+  server.siteUrl = 'https://example.com'
+  server.http = { get: async () => ({ data: { results: [], pagination: { pageCount: 1 } } }) }
+  await assert.rejects(server.generateFeed({}, { directory: outside }), /disabled in HTTP mode unless STRAPI_FEED_ROOT is set/)
+  server.feedRoot = root
+  await assert.rejects(server.generateFeed({}, { directory: outside }), /is outside STRAPI_FEED_ROOT/)
+  await server.generateFeed({}, { directory: path.join(root, 'feeds') })
+  assert.ok(fs.existsSync(path.join(root, 'feeds', 'feed.xml')))
+})
@@ -0,0 +1,64 @@
+const { test, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+process.env.STRAPI_API_TOKEN = 'test-token'
+const StrapiMCPServer = require('../index.js')
+
+let server
+
+beforeEach(() => {
+  process.env.STRAPI_MCP_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'strapi-mcp-schedule-'))
+  server = new StrapiMCPServer()
+})
+
+const job = index => ({
+  action: 'publish',
+  uid: 'api::blog-post.blog-post',
+  documentId: `doc-${index}`,
+  runAt: new Date(Date.now() - 1000),
+  title: `Post ${index}`
+})
+
+afterEach(() => {
+  fs.rmSync(server.dataDir, { recursive: true, force: true })
+})
+
+test('concurrent addScheduledJob calls keep every job', async () => {
+  const added = await Promise.all(Array.from({ length: 20 }, (_, index) => server.addScheduledJob(job(index))))
+
+  const jobs = await server.readSchedule()
+  assert.strictEqual(jobs.length, 20)
+  assert.deepStrictEqual(jobs.map(item => item.id).sort(), added.map(item => item.id).sort())
+})
+
+test('a job cancelled while its action runs stays cancelled', async () => {
+  const { id } = await server.addScheduledJob(job(1))
+  server.authHeaders = async () => ({})
+  server.http = {
+    async post () {
+      await server.cancelScheduled({ id })
+      return { data: { data: { documentId: 'doc-1', publishedAt: new Date().toISOString() } } }
+    }
+  }
+
+  await server.runDueJobs()
+
+  const [saved] = await server.readSchedule()
+  assert.strictEqual(saved.status, 'cancelled')
+  assert.strictEqual(saved.attempts, 0)
+})
+
+test('cancelling a job needs the access its action needs', async () => {
+  const { id } = await server.addScheduledJob(job(1))
+  server.policy = { mode: 'drafts-only' }
+  assert.strictEqual(server.checkToolAccess('strapi_cancel_scheduled', { id }, null), null)
+  await assert.rejects(server.auditContext.run({ identity: null }, () => server.cancelScheduled({ id })), /drafts-only mode blocks publish/)
+
+  server.policy = { content_types: { allow: ['blog-post'] } }
+  await server.auditContext.run({ identity: null }, () => server.cancelScheduled({ id }))
+  const [saved] = await server.readSchedule()
+  assert.strictEqual(saved.status, 'cancelled')
+})